@@ -0,0 +1,204 @@
+// Pluggable AI providers for recipe generation.
+//
+// Every provider exposes the same interface:
+//     generateJson({ messages, responseSchema }) -> Promise<string>
+//     generateImage({ prompt }) -> Promise<{ mimeType, data }>
+// where messages is a provider-neutral chat history of { role: 'user' | 'model', text } entries and
+// responseSchema is a JSON Schema (lower-case types) describing the object the model must return.
+// generateJson resolves to the model's raw JSON text; parsing and validation are left to the caller.
+// generateImage resolves to a base64-encoded image.
+//
+// Gemini and OpenAI-compatible requests go through the backend proxy (server/aiProxy.mjs), which adds
+// the API key server-side, so no key is ever shipped to the browser. The proxy only serves signed-in users:
+// pass getAuthToken in the config (resolving to the user's Firebase ID token) and it's sent with each request.
+
+// Default model per provider when __ai_config doesn't name one
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.0-flash',
+    openai: 'gpt-4o-mini',
+    mock: 'mock'
+};
+
+// Default image model per provider when __ai_config doesn't name an imageModel
+const DEFAULT_IMAGE_MODELS = {
+    gemini: 'gemini-2.0-flash-preview-image-generation',
+    openai: 'gpt-image-1',
+    mock: 'mock'
+};
+
+// Read the AI configuration injected the same way as __firebase_config, e.g.
+// __ai_config = '{"provider": "openai", "model": "gpt-4o-mini", "imageModel": "gpt-image-1", "proxyUrl": "/api/ai"}'
+export const getAiConfig = () => {
+    const config = typeof __ai_config !== 'undefined' ? JSON.parse(__ai_config) : {};
+    const provider = config.provider || 'gemini';
+    return {
+        provider,
+        model: config.model || DEFAULT_MODELS[provider],
+        imageModel: config.imageModel || DEFAULT_IMAGE_MODELS[provider],
+        proxyUrl: (config.proxyUrl || '/api/ai').replace(/\/$/, '')
+    };
+};
+
+// POST a JSON body to the proxy and return the parsed JSON response, turning HTTP failures into readable errors
+const postToProxy = async (url, body, getAuthToken) => {
+    const token = getAuthToken ? await getAuthToken() : null;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+        // The proxy explains its own refusals as { error: string }; providers use { error: { message } }
+        const error = (await response.json().catch(() => null))?.error;
+        const detail = typeof error === 'string' ? error : error?.message;
+        if (response.status === 429) {
+            throw new Error(detail || "Too many AI requests. Please wait a minute and try again.");
+        }
+        if (response.status === 401 || response.status === 403) {
+            throw new Error(`Authorization error (${response.status}): ${detail || "the AI proxy rejected the request."}`);
+        }
+        throw new Error(`HTTP error! Status: ${response.status} - ${detail || response.statusText}`);
+    }
+    return response.json();
+};
+
+// Convert a JSON Schema to the upper-case OpenAPI subset Gemini's responseSchema expects
+const toGeminiSchema = (schema) => {
+    const geminiSchema = { type: schema.type.toUpperCase() };
+    if (schema.enum) {
+        geminiSchema.enum = schema.enum;
+    }
+    if (schema.items) {
+        geminiSchema.items = toGeminiSchema(schema.items);
+    }
+    if (schema.properties) {
+        geminiSchema.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, property]) => [key, toGeminiSchema(property)])
+        );
+        // Gemini otherwise orders properties alphabetically, which degrades generation quality
+        geminiSchema.propertyOrdering = Object.keys(schema.properties);
+    }
+    return geminiSchema;
+};
+
+// Google Gemini via the proxy's /gemini route
+const createGeminiProvider = ({ model, imageModel, proxyUrl, getAuthToken }) => ({
+    name: 'gemini',
+    generateJson: async ({ messages, responseSchema }) => {
+        const result = await postToProxy(`${proxyUrl}/gemini`, {
+            model,
+            contents: messages.map(message => ({ role: message.role, parts: [{ text: message.text }] })),
+            generationConfig: {
+                responseMimeType: "application/json",
+                responseSchema: toGeminiSchema(responseSchema)
+            }
+        }, getAuthToken);
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (typeof text !== 'string') {
+            console.error("Unexpected Gemini response structure:", result);
+            throw new Error("The AI returned an unexpected response.");
+        }
+        return text;
+    },
+    generateImage: async ({ prompt }) => {
+        const result = await postToProxy(`${proxyUrl}/gemini`, {
+            model: imageModel,
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            // Image models answer with text and image parts mixed together
+            generationConfig: { responseModalities: ['TEXT', 'IMAGE'] }
+        }, getAuthToken);
+        const image = result.candidates?.[0]?.content?.parts?.find(part => part.inlineData)?.inlineData;
+        if (!image) {
+            console.error("Unexpected Gemini image response structure:", result);
+            throw new Error("The AI didn't return an image.");
+        }
+        return { mimeType: image.mimeType, data: image.data };
+    }
+});
+
+// Any OpenAI-compatible chat completions endpoint via the proxy's /openai route
+const createOpenAiProvider = ({ model, imageModel, proxyUrl, getAuthToken }) => ({
+    name: 'openai',
+    generateJson: async ({ messages, responseSchema }) => {
+        const result = await postToProxy(`${proxyUrl}/openai`, {
+            model,
+            // json_object mode is the widest-supported structured output option, so the schema goes in the system prompt
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: `Reply only with a JSON object matching this JSON Schema: ${JSON.stringify(responseSchema)}` },
+                ...messages.map(message => ({ role: message.role === 'model' ? 'assistant' : 'user', content: message.text }))
+            ]
+        }, getAuthToken);
+        const text = result.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            console.error("Unexpected OpenAI-compatible response structure:", result);
+            throw new Error("The AI returned an unexpected response.");
+        }
+        return text;
+    },
+    generateImage: async ({ prompt }) => {
+        const result = await postToProxy(`${proxyUrl}/openai-images`, {
+            model: imageModel,
+            prompt,
+            size: '1024x1024',
+            n: 1
+        }, getAuthToken);
+        const data = result.data?.[0]?.b64_json;
+        if (typeof data !== 'string') {
+            console.error("Unexpected OpenAI-compatible image response structure:", result);
+            throw new Error("The AI didn't return an image.");
+        }
+        return { mimeType: 'image/png', data };
+    }
+});
+
+// Build a placeholder value that satisfies a JSON Schema, labelled with the property it fills
+const mockValueFor = (schema, key, prompt) => {
+    switch (schema.type) {
+        case 'object':
+            return Object.fromEntries(
+                Object.entries(schema.properties || {}).map(([name, property]) => [name, mockValueFor(property, name, prompt)])
+            );
+        case 'array':
+            return [1, 2, 3].map(index => mockValueFor(schema.items, `${key} ${index}`, prompt));
+        case 'integer':
+        case 'number':
+            return 4;
+        case 'boolean':
+            return false;
+        default:
+            if (schema.enum) {
+                return schema.enum[0];
+            }
+            return key === 'recipeName' ? `Mock recipe for "${prompt.slice(0, 40)}"` : `Mock ${key}`;
+    }
+};
+
+// Offline provider for tests and local development: answers instantly from the schema, no network or key needed
+const createMockProvider = () => ({
+    name: 'mock',
+    generateJson: async ({ messages, responseSchema }) => {
+        const prompt = messages.filter(message => message.role === 'user').pop()?.text || '';
+        return JSON.stringify(mockValueFor(responseSchema, 'response', prompt));
+    },
+    // A plain SVG placeholder, so the photo pipeline can be exercised offline
+    generateImage: async () => {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="800" height="600"><rect width="800" height="600" fill="#fed7aa"/><text x="400" y="320" font-size="120" text-anchor="middle">🍲</text></svg>';
+        return { mimeType: 'image/svg+xml', data: btoa(unescape(encodeURIComponent(svg))) };
+    }
+});
+
+const PROVIDER_FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAiProvider,
+    mock: createMockProvider
+};
+
+// Create the provider named in the config (see getAiConfig)
+export const createAiProvider = (config) => {
+    const factory = PROVIDER_FACTORIES[config.provider];
+    if (!factory) {
+        throw new Error(`Unknown AI provider "${config.provider}". Use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}.`);
+    }
+    return factory(config);
+};
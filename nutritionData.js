@@ -0,0 +1,140 @@
+// Bundled nutrient table for offline nutrition estimates; no live nutrition service is used.
+//
+// Values are per 100 g of the food as it is usually bought or measured (raw meat, dry pasta, drained
+// canned beans), rounded from USDA FoodData Central (SR Legacy) entries: kcal, then protein, carbs and fat
+// in grams. To turn recipe amounts into grams, `cup` is the weight of one US cup, `each` the weight of one
+// whole item ("2 eggs") and `units` the weight of other counted units ("3 cloves garlic"). A missing
+// conversion means that kind of amount can't be estimated for the food, and the line is flagged instead.
+//
+// Ingredient lines are matched to foods by their aliases (the longest alias found in the line wins), so
+// aliases should be written the way recipes name the food.
+export const NUTRIENT_TABLE = {
+    // Flours, grains and baking
+    allPurposeFlour: { label: 'All-purpose flour', aliases: ['flour', 'all-purpose flour', 'plain flour', 'white flour'], kcal: 364, protein: 10.3, carbs: 76.3, fat: 1, cup: 125 },
+    wholeWheatFlour: { label: 'Whole wheat flour', aliases: ['whole wheat flour', 'wholemeal flour'], kcal: 340, protein: 13.2, carbs: 72, fat: 2.5, cup: 120 },
+    breadFlour: { label: 'Bread flour', aliases: ['bread flour', 'strong flour'], kcal: 361, protein: 12, carbs: 72.5, fat: 1.7, cup: 127 },
+    cornstarch: { label: 'Cornstarch', aliases: ['cornstarch', 'corn starch', 'cornflour'], kcal: 381, protein: 0.3, carbs: 91.3, fat: 0.1, cup: 128 },
+    sugar: { label: 'Sugar', aliases: ['sugar', 'white sugar', 'granulated sugar', 'caster sugar'], kcal: 387, protein: 0, carbs: 100, fat: 0, cup: 200 },
+    brownSugar: { label: 'Brown sugar', aliases: ['brown sugar', 'light brown sugar', 'dark brown sugar'], kcal: 380, protein: 0.1, carbs: 98.1, fat: 0, cup: 220 },
+    powderedSugar: { label: 'Powdered sugar', aliases: ['powdered sugar', 'icing sugar', 'confectioners sugar'], kcal: 389, protein: 0, carbs: 99.8, fat: 0, cup: 120 },
+    honey: { label: 'Honey', aliases: ['honey'], kcal: 304, protein: 0.3, carbs: 82.4, fat: 0, cup: 340 },
+    mapleSyrup: { label: 'Maple syrup', aliases: ['maple syrup'], kcal: 260, protein: 0, carbs: 67, fat: 0.1, cup: 315 },
+    bakingPowder: { label: 'Baking powder', aliases: ['baking powder'], kcal: 53, protein: 0, carbs: 27.7, fat: 0, cup: 220 },
+    bakingSoda: { label: 'Baking soda', aliases: ['baking soda', 'bicarbonate of soda'], kcal: 0, protein: 0, carbs: 0, fat: 0, cup: 220 },
+    yeast: { label: 'Yeast', aliases: ['yeast', 'active dry yeast', 'instant yeast'], kcal: 325, protein: 40.4, carbs: 41.2, fat: 7.6, cup: 136, units: { package: 7 } },
+    cocoaPowder: { label: 'Cocoa powder', aliases: ['cocoa', 'cocoa powder'], kcal: 228, protein: 19.6, carbs: 57.9, fat: 13.7, cup: 86 },
+    chocolate: { label: 'Chocolate', aliases: ['chocolate', 'chocolate chip', 'semisweet chocolate', 'dark chocolate'], kcal: 479, protein: 4.2, carbs: 63.1, fat: 30, cup: 168 },
+    vanillaExtract: { label: 'Vanilla extract', aliases: ['vanilla', 'vanilla extract'], kcal: 288, protein: 0.1, carbs: 12.7, fat: 0.1, cup: 208 },
+    oats: { label: 'Rolled oats', aliases: ['oat', 'rolled oat', 'oatmeal'], kcal: 379, protein: 13.2, carbs: 67.7, fat: 6.5, cup: 81 },
+    rice: { label: 'White rice (uncooked)', aliases: ['rice', 'white rice', 'long grain rice', 'basmati rice', 'jasmine rice', 'arborio rice'], kcal: 365, protein: 7.1, carbs: 80, fat: 0.7, cup: 185 },
+    brownRice: { label: 'Brown rice (uncooked)', aliases: ['brown rice'], kcal: 367, protein: 7.5, carbs: 76.2, fat: 3.2, cup: 190 },
+    cookedRice: { label: 'Cooked rice', aliases: ['cooked rice', 'leftover rice'], kcal: 130, protein: 2.7, carbs: 28.2, fat: 0.3, cup: 158 },
+    pasta: { label: 'Pasta (dry)', aliases: ['pasta', 'spaghetti', 'penne', 'macaroni', 'noodle', 'fettuccine', 'linguine', 'fusilli', 'rigatoni', 'lasagna noodle'], kcal: 371, protein: 13, carbs: 74.7, fat: 1.5, cup: 105 },
+    quinoa: { label: 'Quinoa (uncooked)', aliases: ['quinoa'], kcal: 368, protein: 14.1, carbs: 64.2, fat: 6.1, cup: 170 },
+    bread: { label: 'Bread', aliases: ['bread', 'white bread', 'sandwich bread', 'sourdough bread'], kcal: 266, protein: 8.9, carbs: 49.4, fat: 3.3, units: { slice: 29 } },
+    breadcrumbs: { label: 'Breadcrumbs', aliases: ['breadcrumb', 'bread crumb', 'panko'], kcal: 395, protein: 13.4, carbs: 71.9, fat: 5.3, cup: 108 },
+    flourTortilla: { label: 'Flour tortilla', aliases: ['tortilla', 'flour tortilla', 'wrap'], kcal: 306, protein: 8.2, carbs: 50.4, fat: 8, each: 45 },
+    cornTortilla: { label: 'Corn tortilla', aliases: ['corn tortilla'], kcal: 218, protein: 5.7, carbs: 44.6, fat: 2.9, each: 26 },
+
+    // Eggs and dairy
+    egg: { label: 'Egg', aliases: ['egg', 'large egg'], kcal: 143, protein: 12.6, carbs: 0.7, fat: 9.5, each: 50, cup: 243 },
+    eggWhite: { label: 'Egg white', aliases: ['egg white'], kcal: 52, protein: 10.9, carbs: 0.7, fat: 0.2, each: 33, cup: 243 },
+    eggYolk: { label: 'Egg yolk', aliases: ['egg yolk', 'yolk'], kcal: 322, protein: 15.9, carbs: 3.6, fat: 26.5, each: 17 },
+    butter: { label: 'Butter', aliases: ['butter', 'unsalted butter', 'salted butter'], kcal: 717, protein: 0.9, carbs: 0.1, fat: 81.1, cup: 227, units: { stick: 113 } },
+    milk: { label: 'Whole milk', aliases: ['milk', 'whole milk'], kcal: 61, protein: 3.2, carbs: 4.8, fat: 3.3, cup: 244 },
+    skimMilk: { label: 'Skim milk', aliases: ['skim milk', 'nonfat milk', 'fat free milk'], kcal: 34, protein: 3.4, carbs: 5, fat: 0.1, cup: 245 },
+    heavyCream: { label: 'Heavy cream', aliases: ['cream', 'heavy cream', 'whipping cream', 'heavy whipping cream', 'double cream'], kcal: 340, protein: 2.8, carbs: 2.7, fat: 36.1, cup: 238 },
+    sourCream: { label: 'Sour cream', aliases: ['sour cream'], kcal: 198, protein: 2.4, carbs: 4.6, fat: 19.4, cup: 230 },
+    yogurt: { label: 'Plain yogurt', aliases: ['yogurt', 'plain yogurt', 'yoghurt'], kcal: 61, protein: 3.5, carbs: 4.7, fat: 3.3, cup: 245 },
+    greekYogurt: { label: 'Greek yogurt', aliases: ['greek yogurt', 'greek yoghurt'], kcal: 97, protein: 9, carbs: 4, fat: 5, cup: 227 },
+    cheddar: { label: 'Cheddar cheese', aliases: ['cheese', 'cheddar', 'cheddar cheese', 'shredded cheese'], kcal: 403, protein: 24.9, carbs: 1.3, fat: 33.1, cup: 113, units: { slice: 21 } },
+    mozzarella: { label: 'Mozzarella', aliases: ['mozzarella', 'mozzarella cheese'], kcal: 280, protein: 27.5, carbs: 3.1, fat: 17.1, cup: 112 },
+    parmesan: { label: 'Parmesan', aliases: ['parmesan', 'parmesan cheese', 'parmigiano', 'parmigiano reggiano'], kcal: 431, protein: 38.5, carbs: 4.1, fat: 28.6, cup: 100 },
+    creamCheese: { label: 'Cream cheese', aliases: ['cream cheese'], kcal: 342, protein: 5.9, carbs: 4.1, fat: 34.2, cup: 232, units: { package: 227 } },
+    feta: { label: 'Feta', aliases: ['feta', 'feta cheese'], kcal: 264, protein: 14.2, carbs: 4.1, fat: 21.3, cup: 150 },
+    ricotta: { label: 'Ricotta', aliases: ['ricotta', 'ricotta cheese'], kcal: 174, protein: 11.3, carbs: 3, fat: 13, cup: 246 },
+
+    // Oils and spreads
+    oliveOil: { label: 'Olive oil', aliases: ['olive oil', 'extra virgin olive oil'], kcal: 884, protein: 0, carbs: 0, fat: 100, cup: 216 },
+    vegetableOil: { label: 'Vegetable oil', aliases: ['oil', 'vegetable oil', 'canola oil', 'sunflower oil', 'cooking oil', 'coconut oil', 'sesame oil'], kcal: 884, protein: 0, carbs: 0, fat: 100, cup: 218 },
+    mayonnaise: { label: 'Mayonnaise', aliases: ['mayonnaise', 'mayo'], kcal: 680, protein: 1, carbs: 0.6, fat: 74.9, cup: 220 },
+    peanutButter: { label: 'Peanut butter', aliases: ['peanut butter'], kcal: 588, protein: 25.1, carbs: 20, fat: 50.4, cup: 258 },
+
+    // Meat, fish and plant proteins
+    chickenBreast: { label: 'Chicken breast', aliases: ['chicken', 'chicken breast', 'boneless chicken breast'], kcal: 120, protein: 22.5, carbs: 0, fat: 2.6, each: 200, cup: 140 },
+    chickenThigh: { label: 'Chicken thigh', aliases: ['chicken thigh'], kcal: 121, protein: 19.7, carbs: 0, fat: 4.1, each: 110 },
+    groundBeef: { label: 'Ground beef', aliases: ['ground beef', 'minced beef', 'beef mince', 'hamburger'], kcal: 254, protein: 17.2, carbs: 0, fat: 20, cup: 225 },
+    beef: { label: 'Beef', aliases: ['beef', 'steak', 'sirloin', 'stew meat', 'beef chuck'], kcal: 187, protein: 20, carbs: 0, fat: 11.7, each: 225 },
+    pork: { label: 'Pork loin', aliases: ['pork', 'pork loin', 'pork chop', 'pork tenderloin'], kcal: 143, protein: 21.2, carbs: 0, fat: 5.7, each: 170 },
+    groundPork: { label: 'Ground pork', aliases: ['ground pork', 'minced pork'], kcal: 263, protein: 16.9, carbs: 0, fat: 21.2, cup: 225 },
+    groundTurkey: { label: 'Ground turkey', aliases: ['turkey', 'ground turkey', 'minced turkey'], kcal: 148, protein: 19.7, carbs: 0, fat: 8.3, cup: 225 },
+    bacon: { label: 'Bacon', aliases: ['bacon'], kcal: 458, protein: 11.6, carbs: 0.7, fat: 45, each: 28, units: { slice: 28 } },
+    ham: { label: 'Ham', aliases: ['ham'], kcal: 145, protein: 21, carbs: 1.5, fat: 5.5, cup: 140, units: { slice: 28 } },
+    sausage: { label: 'Sausage', aliases: ['sausage', 'italian sausage', 'bratwurst', 'chorizo'], kcal: 301, protein: 12, carbs: 2, fat: 27, each: 75 },
+    salmon: { label: 'Salmon', aliases: ['salmon', 'salmon fillet'], kcal: 208, protein: 20.4, carbs: 0, fat: 13.4, each: 170 },
+    whiteFish: { label: 'White fish', aliases: ['cod', 'white fish', 'tilapia', 'haddock', 'pollock', 'fish fillet'], kcal: 82, protein: 17.8, carbs: 0, fat: 0.7, each: 170 },
+    shrimp: { label: 'Shrimp', aliases: ['shrimp', 'prawn'], kcal: 85, protein: 20.1, carbs: 0, fat: 0.5, cup: 145 },
+    tuna: { label: 'Canned tuna', aliases: ['tuna', 'canned tuna'], kcal: 116, protein: 25.5, carbs: 0, fat: 0.8, cup: 154, units: { can: 142 } },
+    tofu: { label: 'Tofu', aliases: ['tofu', 'firm tofu'], kcal: 76, protein: 8.1, carbs: 1.9, fat: 4.8, cup: 248, units: { package: 396 } },
+    blackBeans: { label: 'Black beans (canned)', aliases: ['black bean'], kcal: 91, protein: 6, carbs: 16.6, fat: 0.3, cup: 172, units: { can: 240 } },
+    chickpeas: { label: 'Chickpeas (canned)', aliases: ['chickpea', 'garbanzo', 'garbanzo bean'], kcal: 139, protein: 7, carbs: 22.5, fat: 2.6, cup: 164, units: { can: 240 } },
+    beans: { label: 'Beans (canned)', aliases: ['bean', 'kidney bean', 'pinto bean', 'cannellini bean', 'white bean'], kcal: 114, protein: 7.6, carbs: 20.4, fat: 0.5, cup: 177, units: { can: 240 } },
+    lentils: { label: 'Lentils (dry)', aliases: ['lentil', 'red lentil', 'green lentil'], kcal: 352, protein: 24.6, carbs: 63.4, fat: 1.1, cup: 192 },
+    almonds: { label: 'Almonds', aliases: ['almond'], kcal: 579, protein: 21.2, carbs: 21.6, fat: 49.9, cup: 143 },
+    walnuts: { label: 'Walnuts', aliases: ['walnut'], kcal: 654, protein: 15.2, carbs: 13.7, fat: 65.2, cup: 117 },
+    peanuts: { label: 'Peanuts', aliases: ['peanut'], kcal: 567, protein: 25.8, carbs: 16.1, fat: 49.2, cup: 146 },
+    pecans: { label: 'Pecans', aliases: ['pecan'], kcal: 691, protein: 9.2, carbs: 13.9, fat: 72, cup: 109 },
+
+    // Vegetables
+    onion: { label: 'Onion', aliases: ['onion', 'yellow onion', 'white onion', 'red onion', 'brown onion', 'shallot'], kcal: 40, protein: 1.1, carbs: 9.3, fat: 0.1, each: 110, cup: 160 },
+    greenOnion: { label: 'Green onion', aliases: ['green onion', 'scallion', 'spring onion'], kcal: 32, protein: 1.8, carbs: 7.3, fat: 0.2, each: 15, cup: 100 },
+    garlic: { label: 'Garlic', aliases: ['garlic', 'garlic clove'], kcal: 149, protein: 6.4, carbs: 33.1, fat: 0.5, cup: 136, units: { clove: 3 } },
+    tomato: { label: 'Tomato', aliases: ['tomato', 'roma tomato', 'cherry tomato'], kcal: 18, protein: 0.9, carbs: 3.9, fat: 0.2, each: 123, cup: 180 },
+    cannedTomatoes: { label: 'Canned tomatoes', aliases: ['canned tomato', 'crushed tomato', 'diced tomato', 'tomato sauce', 'tomato puree', 'passata'], kcal: 32, protein: 1.6, carbs: 7.3, fat: 0.3, cup: 242, units: { can: 411 } },
+    tomatoPaste: { label: 'Tomato paste', aliases: ['tomato paste'], kcal: 82, protein: 4.3, carbs: 18.9, fat: 0.5, cup: 262, units: { can: 170 } },
+    carrot: { label: 'Carrot', aliases: ['carrot'], kcal: 41, protein: 0.9, carbs: 9.6, fat: 0.2, each: 61, cup: 128 },
+    celery: { label: 'Celery', aliases: ['celery', 'celery stalk', 'celery rib'], kcal: 16, protein: 0.7, carbs: 3, fat: 0.2, each: 40, cup: 101 },
+    potato: { label: 'Potato', aliases: ['potato', 'russet potato', 'yukon gold potato'], kcal: 77, protein: 2, carbs: 17.5, fat: 0.1, each: 213, cup: 150 },
+    sweetPotato: { label: 'Sweet potato', aliases: ['sweet potato', 'yam'], kcal: 86, protein: 1.6, carbs: 20.1, fat: 0.1, each: 130, cup: 133 },
+    bellPepper: { label: 'Bell pepper', aliases: ['bell pepper', 'red pepper', 'green pepper', 'yellow pepper', 'capsicum'], kcal: 26, protein: 1, carbs: 6, fat: 0.3, each: 119, cup: 149 },
+    chiliPepper: { label: 'Chili pepper', aliases: ['jalapeno', 'chili', 'chile', 'chilli', 'chili pepper', 'serrano'], kcal: 29, protein: 0.9, carbs: 6.5, fat: 0.4, each: 14 },
+    spinach: { label: 'Spinach', aliases: ['spinach', 'baby spinach'], kcal: 23, protein: 2.9, carbs: 3.6, fat: 0.4, cup: 30 },
+    kale: { label: 'Kale', aliases: ['kale'], kcal: 49, protein: 4.3, carbs: 8.8, fat: 0.9, cup: 67 },
+    broccoli: { label: 'Broccoli', aliases: ['broccoli', 'broccoli floret'], kcal: 34, protein: 2.8, carbs: 6.6, fat: 0.4, cup: 91 },
+    cauliflower: { label: 'Cauliflower', aliases: ['cauliflower', 'cauliflower floret'], kcal: 25, protein: 1.9, carbs: 5, fat: 0.3, each: 575, cup: 107 },
+    zucchini: { label: 'Zucchini', aliases: ['zucchini', 'courgette'], kcal: 17, protein: 1.2, carbs: 3.1, fat: 0.3, each: 196, cup: 124 },
+    mushroom: { label: 'Mushrooms', aliases: ['mushroom', 'button mushroom', 'cremini mushroom'], kcal: 22, protein: 3.1, carbs: 3.3, fat: 0.3, each: 18, cup: 70 },
+    cucumber: { label: 'Cucumber', aliases: ['cucumber'], kcal: 15, protein: 0.7, carbs: 3.6, fat: 0.1, each: 300, cup: 119 },
+    lettuce: { label: 'Lettuce', aliases: ['lettuce', 'romaine', 'salad green', 'mixed green'], kcal: 15, protein: 1.4, carbs: 2.9, fat: 0.2, each: 360, cup: 47 },
+    cabbage: { label: 'Cabbage', aliases: ['cabbage'], kcal: 25, protein: 1.3, carbs: 5.8, fat: 0.1, each: 900, cup: 89 },
+    corn: { label: 'Corn', aliases: ['corn', 'sweet corn', 'corn kernel'], kcal: 86, protein: 3.3, carbs: 19, fat: 1.4, each: 90, cup: 154 },
+    peas: { label: 'Peas', aliases: ['pea', 'green pea', 'frozen pea'], kcal: 81, protein: 5.4, carbs: 14.5, fat: 0.4, cup: 145 },
+    greenBeans: { label: 'Green beans', aliases: ['green bean', 'string bean'], kcal: 31, protein: 1.8, carbs: 7, fat: 0.2, cup: 110 },
+    avocado: { label: 'Avocado', aliases: ['avocado'], kcal: 160, protein: 2, carbs: 8.5, fat: 14.7, each: 150, cup: 150 },
+    ginger: { label: 'Ginger', aliases: ['ginger', 'fresh ginger'], kcal: 80, protein: 1.8, carbs: 17.8, fat: 0.8, cup: 96 },
+    freshHerbs: { label: 'Fresh herbs', aliases: ['parsley', 'cilantro', 'coriander', 'basil', 'dill', 'mint', 'chive', 'fresh herb'], kcal: 36, protein: 3, carbs: 6.3, fat: 0.8, cup: 60, units: { bunch: 60, sprig: 1 } },
+
+    // Fruit
+    apple: { label: 'Apple', aliases: ['apple'], kcal: 52, protein: 0.3, carbs: 13.8, fat: 0.2, each: 182, cup: 125 },
+    banana: { label: 'Banana', aliases: ['banana'], kcal: 89, protein: 1.1, carbs: 22.8, fat: 0.3, each: 118, cup: 150 },
+    lemon: { label: 'Lemon', aliases: ['lemon', 'lime'], kcal: 29, protein: 1.1, carbs: 9.3, fat: 0.3, each: 84 },
+    lemonJuice: { label: 'Lemon juice', aliases: ['lemon juice', 'lime juice'], kcal: 22, protein: 0.4, carbs: 6.9, fat: 0.2, cup: 244 },
+    orange: { label: 'Orange', aliases: ['orange'], kcal: 47, protein: 0.9, carbs: 11.8, fat: 0.1, each: 131, cup: 180 },
+    berries: { label: 'Berries', aliases: ['berry', 'blueberry', 'strawberry', 'raspberry', 'blackberry', 'mixed berry'], kcal: 57, protein: 0.7, carbs: 14.5, fat: 0.3, cup: 148 },
+    raisins: { label: 'Raisins', aliases: ['raisin', 'sultana'], kcal: 299, protein: 3.1, carbs: 79.2, fat: 0.5, cup: 145 },
+
+    // Liquids, seasonings and condiments
+    water: { label: 'Water', aliases: ['water', 'ice'], kcal: 0, protein: 0, carbs: 0, fat: 0, cup: 237 },
+    broth: { label: 'Broth', aliases: ['broth', 'stock', 'chicken broth', 'chicken stock', 'vegetable broth', 'vegetable stock', 'beef broth', 'beef stock'], kcal: 6, protein: 0.6, carbs: 0.4, fat: 0.2, cup: 240 },
+    coconutMilk: { label: 'Coconut milk', aliases: ['coconut milk'], kcal: 230, protein: 2.3, carbs: 5.5, fat: 23.8, cup: 240, units: { can: 400 } },
+    wine: { label: 'Wine', aliases: ['wine', 'white wine', 'red wine'], kcal: 82, protein: 0.1, carbs: 2.6, fat: 0, cup: 235 },
+    soySauce: { label: 'Soy sauce', aliases: ['soy sauce', 'tamari'], kcal: 53, protein: 8.1, carbs: 4.9, fat: 0.6, cup: 255 },
+    vinegar: { label: 'Vinegar', aliases: ['vinegar', 'white vinegar', 'apple cider vinegar', 'red wine vinegar', 'rice vinegar', 'balsamic vinegar'], kcal: 18, protein: 0, carbs: 0.1, fat: 0, cup: 238 },
+    mustard: { label: 'Mustard', aliases: ['mustard', 'dijon', 'dijon mustard'], kcal: 60, protein: 3.7, carbs: 5.8, fat: 3.3, cup: 249 },
+    ketchup: { label: 'Ketchup', aliases: ['ketchup'], kcal: 101, protein: 1, carbs: 27.4, fat: 0.1, cup: 240 },
+    salsa: { label: 'Salsa', aliases: ['salsa'], kcal: 36, protein: 1.5, carbs: 7, fat: 0.2, cup: 259 },
+    salt: { label: 'Salt', aliases: ['salt', 'kosher salt', 'sea salt', 'table salt'], kcal: 0, protein: 0, carbs: 0, fat: 0, cup: 292 },
+    blackPepper: { label: 'Black pepper', aliases: ['pepper', 'black pepper', 'ground pepper', 'peppercorn'], kcal: 251, protein: 10.4, carbs: 64, fat: 3.3, cup: 116 },
+    chiliFlakes: { label: 'Chili flakes', aliases: ['red pepper flake', 'chili flake', 'crushed red pepper'], kcal: 318, protein: 12, carbs: 56.6, fat: 17.3, cup: 90 },
+    driedSpices: { label: 'Dried herbs and spices', aliases: ['spice', 'dried herb', 'oregano', 'thyme', 'rosemary', 'cumin', 'paprika', 'cinnamon', 'nutmeg', 'turmeric', 'chili powder', 'curry powder', 'garlic powder', 'onion powder', 'italian seasoning', 'bay leaf'], kcal: 300, protein: 12, carbs: 60, fat: 8, cup: 100, units: { pinch: 0.3, dash: 0.3 } }
+};
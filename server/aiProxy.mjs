@@ -0,0 +1,296 @@
+// Small backend proxy that keeps AI API keys off the client.
+//
+// The browser posts provider-specific request bodies (built by aiProviders.js) to:
+//     POST /api/ai/gemini   -> Gemini generateContent for body.model
+//     POST /api/ai/openai   -> OpenAI-compatible /chat/completions
+//     POST /api/ai/openai-images -> OpenAI-compatible /images/generations
+// and this server forwards them with the API key from its own environment.
+//
+// Only signed-in users of the app may use it: every request must carry the user's Firebase ID token
+// (Authorization: Bearer <token>). Each route accepts a fixed list of models, and requests are rate
+// limited per user and per client address, so the keys can't be used as an open relay.
+//
+// Environment:
+//     PORT                  port to listen on (default 8787)
+//     FIREBASE_PROJECT_ID   Firebase project whose users may call the proxy (required)
+//     FIREBASE_AUTH_EMULATOR_HOST  set when the app uses the Auth emulator, whose tokens are unsigned (development only)
+//     GEMINI_API_KEY        key for the Gemini API
+//     OPENAI_API_KEY        key for the OpenAI-compatible endpoint
+//     OPENAI_BASE_URL       base URL of the OpenAI-compatible API (default https://api.openai.com/v1)
+//     GEMINI_MODELS         comma-separated models allowed on /gemini (default: the app's default Gemini models)
+//     OPENAI_MODELS         comma-separated models allowed on /openai (default gpt-4o-mini)
+//     OPENAI_IMAGE_MODELS   comma-separated models allowed on /openai-images (default gpt-image-1)
+//     RATE_LIMIT_PER_USER   requests each user may make per minute (default 10)
+//     RATE_LIMIT_PER_IP     requests each client address may make per minute (default 30)
+//     TRUST_PROXY           number of reverse proxies in front of the server (any other non-empty value means 1), to
+//                           take the client address from the X-Forwarded-For entry the outermost of them appended
+//     ALLOWED_ORIGIN        origin allowed by CORS when the app is served from elsewhere (default: same origin only)
+//
+// Run with: node server/aiProxy.mjs   (Node 18+ for the built-in fetch)
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || '';
+const USE_AUTH_EMULATOR = Boolean(process.env.FIREBASE_AUTH_EMULATOR_HOST);
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '';
+const MAX_BODY_BYTES = 1024 * 1024;
+// Model names are interpolated into the upstream URL, so only allow plain identifiers
+const MODEL_NAME_REGEX = /^[\w.-]+$/;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_PER_USER = Number(process.env.RATE_LIMIT_PER_USER) || 10;
+const RATE_LIMIT_PER_IP = Number(process.env.RATE_LIMIT_PER_IP) || 30;
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY) || (process.env.TRUST_PROXY ? 1 : 0);
+// Public certificates Google signs Firebase ID tokens with
+const TOKEN_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+// Parse a comma-separated model list from the environment, falling back to the app's defaults
+const modelList = (value, defaults) => new Set(value ? value.split(',').map(model => model.trim()).filter(Boolean) : defaults);
+
+// Models each route may call; keep these in step with the models named in the app's __ai_config
+const ALLOWED_MODELS = {
+    gemini: modelList(process.env.GEMINI_MODELS, ['gemini-2.0-flash', 'gemini-2.0-flash-preview-image-generation']),
+    openai: modelList(process.env.OPENAI_MODELS, ['gpt-4o-mini']),
+    openaiImages: modelList(process.env.OPENAI_IMAGE_MODELS, ['gpt-image-1'])
+};
+
+// Error carrying the HTTP status to reply with
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Reject models outside a route's allowed list
+const requireAllowedModel = (model, allowed) => {
+    if (typeof model !== 'string' || !allowed.has(model)) {
+        throw new HttpError(400, 'This model is not allowed.');
+    }
+};
+
+// Build the upstream request for each route from the client's body
+const ROUTES = {
+    '/api/ai/gemini': (body) => {
+        if (!process.env.GEMINI_API_KEY) {
+            throw new HttpError(500, 'GEMINI_API_KEY is not configured on the server.');
+        }
+        const { model, ...payload } = body;
+        requireAllowedModel(model, ALLOWED_MODELS.gemini);
+        if (!MODEL_NAME_REGEX.test(model)) {
+            throw new HttpError(400, 'Invalid model name.');
+        }
+        return {
+            url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+            headers: { 'x-goog-api-key': process.env.GEMINI_API_KEY },
+            payload
+        };
+    },
+    '/api/ai/openai': (body) => {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new HttpError(500, 'OPENAI_API_KEY is not configured on the server.');
+        }
+        requireAllowedModel(body.model, ALLOWED_MODELS.openai);
+        return {
+            url: `${OPENAI_BASE_URL}/chat/completions`,
+            headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+            payload: body
+        };
+    },
+    '/api/ai/openai-images': (body) => {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new HttpError(500, 'OPENAI_API_KEY is not configured on the server.');
+        }
+        requireAllowedModel(body.model, ALLOWED_MODELS.openaiImages);
+        return {
+            url: `${OPENAI_BASE_URL}/images/generations`,
+            headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+            // One image per request, whatever the client asked for
+            payload: { ...body, n: 1 }
+        };
+    }
+};
+
+let signingCerts = { certs: null, expiresAt: 0 };
+
+// Google's current token signing certificates, cached for as long as Google's Cache-Control allows
+const getSigningCerts = async () => {
+    if (signingCerts.certs && Date.now() < signingCerts.expiresAt) {
+        return signingCerts.certs;
+    }
+    const response = await fetch(TOKEN_CERTS_URL);
+    if (!response.ok) {
+        throw new Error(`Couldn't fetch ID token certificates (HTTP ${response.status}).`);
+    }
+    const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('cache-control') || '')?.[1]) || 3600;
+    signingCerts = { certs: await response.json(), expiresAt: Date.now() + maxAge * 1000 };
+    return signingCerts.certs;
+};
+
+// Verify a Firebase ID token the way Firebase documents for third-party JWT libraries; resolves to the user's uid
+const verifyIdToken = async (token) => {
+    const [headerSegment, payloadSegment, signature] = token.split('.');
+    let header;
+    let payload;
+    try {
+        header = JSON.parse(Buffer.from(headerSegment, 'base64url').toString('utf8'));
+        payload = JSON.parse(Buffer.from(payloadSegment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new HttpError(401, 'Malformed ID token.');
+    }
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+        throw new HttpError(401, 'Malformed ID token.');
+    }
+    // The Auth emulator issues unsigned tokens, so their signature can't be checked
+    if (!USE_AUTH_EMULATOR) {
+        const certs = await getSigningCerts();
+        if (header.alg !== 'RS256' || !certs[header.kid]) {
+            throw new HttpError(401, 'ID token is not signed by Firebase.');
+        }
+        const publicKey = new crypto.X509Certificate(certs[header.kid]).publicKey;
+        const valid = crypto.verify('RSA-SHA256', Buffer.from(`${headerSegment}.${payloadSegment}`), publicKey, Buffer.from(signature || '', 'base64url'));
+        if (!valid) {
+            throw new HttpError(401, 'ID token signature is invalid.');
+        }
+    }
+    const now = Date.now() / 1000;
+    if (payload.aud !== FIREBASE_PROJECT_ID
+        || payload.iss !== `https://securetoken.google.com/${FIREBASE_PROJECT_ID}`
+        || typeof payload.sub !== 'string' || !payload.sub
+        || !(payload.exp > now)
+        || !(payload.iat <= now + 300)) { // A few minutes' allowance for clock skew
+        throw new HttpError(401, 'ID token is expired or belongs to another project.');
+    }
+    return payload.sub;
+};
+
+// Requests per key in the current window: { [key]: { windowStart, count } }
+const rateLimitCounts = new Map();
+
+// Count a request against a key and reject it once the key's limit for the current minute is used up
+const checkRateLimit = (key, limit) => {
+    const now = Date.now();
+    const entry = rateLimitCounts.get(key);
+    if (!entry || now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
+        rateLimitCounts.set(key, { windowStart: now, count: 1 });
+        return;
+    }
+    entry.count++;
+    if (entry.count > limit) {
+        throw new HttpError(429, 'Too many AI requests. Please wait a minute and try again.');
+    }
+};
+
+// The caller's address; behind a reverse proxy every request would otherwise share the proxy's address.
+// Entries are read from the right: the client can put anything on the left of X-Forwarded-For, but each
+// trusted proxy appends the address it received the request from.
+const clientAddress = (req) => {
+    const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const address = TRUST_PROXY_HOPS ? forwarded[forwarded.length - TRUST_PROXY_HOPS] : null;
+    return address || req.socket.remoteAddress;
+};
+
+// Forget finished windows so the counts don't grow without bound
+setInterval(() => {
+    const now = Date.now();
+    rateLimitCounts.forEach((entry, key) => {
+        if (now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
+            rateLimitCounts.delete(key);
+        }
+    });
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// Read and parse a JSON request body, rejecting oversized bodies
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            // Stop reading; the handler sends the 413 and then closes the connection
+            req.removeAllListeners('data');
+            req.pause();
+            reject(new HttpError(413, 'Request body too large.'));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+            reject(new HttpError(400, 'Request body must be JSON.'));
+        }
+    });
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+    if (ALLOWED_ORIGIN) {
+        res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const route = ROUTES[new URL(req.url, 'http://localhost').pathname];
+    if (!route) {
+        sendJson(res, 404, { error: 'Not found.' });
+        return;
+    }
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed.' });
+        return;
+    }
+
+    try {
+        // Per address first, so requests with bad tokens are limited too
+        checkRateLimit(`ip:${clientAddress(req)}`, RATE_LIMIT_PER_IP);
+        const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+        if (!token) {
+            throw new HttpError(401, 'Sign in to use the AI features.');
+        }
+        checkRateLimit(`user:${await verifyIdToken(token)}`, RATE_LIMIT_PER_USER);
+        const body = await readJsonBody(req);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new HttpError(400, 'Request body must be a JSON object.');
+        }
+        const { url, headers, payload } = route(body);
+        const upstream = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(payload)
+        });
+        // Pass the provider's status and body straight through; the key never appears in either
+        res.writeHead(upstream.status, { 'Content-Type': upstream.headers.get('content-type') || 'application/json' });
+        res.end(await upstream.text());
+    } catch (error) {
+        if (!(error instanceof HttpError)) {
+            console.error('Error proxying AI request:', error);
+        }
+        if (error.status === 413) {
+            // The rest of the body is never read, so the connection can't be reused
+            res.setHeader('Connection', 'close');
+        }
+        sendJson(res, error.status || 502, { error: error instanceof HttpError ? error.message : 'Upstream AI request failed.' });
+    }
+});
+
+if (!FIREBASE_PROJECT_ID) {
+    console.error('FIREBASE_PROJECT_ID must be set so the proxy can check who is calling it.');
+    process.exit(1);
+}
+
+server.listen(PORT, () => {
+    console.log(`AI proxy listening on http://localhost:${PORT}`);
+});
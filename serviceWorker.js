@@ -0,0 +1,69 @@
+// Service worker that keeps the app shell available offline. Recipes themselves come from Firestore's
+// persistent cache; this only makes sure the page and its scripts, styles and icons load without a connection.
+// Serve it from the site root (/serviceWorker.js) so its scope covers every route.
+
+// Bump when the shell changes shape so old caches are dropped on activation
+const CACHE_NAME = 'recipe-rack-shell-v1';
+
+// Fetched on install; bundle file names are unknown here, so scripts and styles are cached the first time they load
+const APP_SHELL_URLS = ['/'];
+
+// Paths that must always hit the network (the AI proxy)
+const NETWORK_ONLY_PREFIXES = ['/api/'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Store a successful same-origin response for offline use
+const cacheResponse = (request, response) => {
+    if (response.ok && response.type === 'basic') {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Firestore, Storage, Auth and other origins manage their own offline behaviour
+    if (request.method !== 'GET' || url.origin !== self.location.origin
+        || NETWORK_ONLY_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        // Pages: the network first so deploys show up, else the cached shell, which routes on the client
+        event.respondWith(
+            fetch(request)
+                .then(response => cacheResponse('/', response))
+                .catch(() => caches.match('/'))
+        );
+        return;
+    }
+
+    // Scripts, styles and images: the cached copy at once, refreshed in the background for next time
+    event.respondWith(
+        caches.match(request).then(cached => {
+            const network = fetch(request).then(response => cacheResponse(request, response));
+            if (cached) {
+                network.catch(() => {});
+                return cached;
+            }
+            return network;
+        })
+    );
+});